@@ -0,0 +1,361 @@
+/**
+ * Pastel Studio sync server: serves the app and relays live collaboration.
+ *
+ *     node server.js [port]      (default 8787, or the PORT environment variable)
+ *
+ * Open http://localhost:8787 in each browser, then "Collaborate" in the toolbar.
+ * Documents sync over a WebSocket at /sync as last-writer-wins registers (see
+ * COLLABORATION in script.js); this server keeps the merged state of each
+ * document in memory so late joiners catch up, and forwards presence.
+ * No dependencies: plain `http` plus a minimal RFC 6455 WebSocket.
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* --- CONFIG --- */
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const ROOT = __dirname;
+const SYNC_PATH = '/sync';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // Images travel inside operations; clients batch below this
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/* --- STATIC FILES --- */
+
+function serveFile(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        pathname = '';
+    }
+    const file = path.join(ROOT, path.normalize(pathname === '/' ? '/index.html' : pathname));
+    // Nothing outside the app folder, no dotfiles (.git) and not this server's own source
+    if (!pathname || !file.startsWith(ROOT + path.sep) || /[\\/]\./.test(file.slice(ROOT.length)) || file === __filename) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+/* --- WEBSOCKET (RFC 6455 FRAMING) --- */
+
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// Completes the opening handshake and returns a connection, or null after rejecting it
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    let pathname;
+    try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (e) {
+        pathname = '';
+    }
+    if (pathname !== SYNC_PATH || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    if (!isSameOrigin(req)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+        + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    return createConnection(socket);
+}
+
+/**
+ * Browsers send the page's Origin with every WebSocket; only pages served by this
+ * server may sync, so other sites the user visits cannot read or edit designs.
+ * Requests without an Origin come from scripts, not web pages.
+ */
+function isSameOrigin(req) {
+    const origin = req.headers.origin;
+    if (origin === undefined) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * A WebSocket on a raw socket: { send(text), close(code), onmessage, onclose }.
+ * Client frames are masked and may be fragmented; server frames are sent whole.
+ */
+function createConnection(socket) {
+    const conn = { open: true, onmessage: null, onclose: null };
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+
+    const writeFrame = (opcode, payload) => {
+        if (!conn.open || socket.destroyed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        header[0] = 0x80 | opcode;
+        socket.write(Buffer.concat([header, payload]));
+    };
+
+    conn.send = (text) => writeFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+
+    conn.close = (code = 1000) => {
+        if (!conn.open) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        writeFrame(OPCODES.close, payload);
+        conn.open = false;
+        socket.end();
+    };
+
+    // Reads every complete frame in the buffer; false when the connection must close
+    const readFrames = () => {
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return true;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return true;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (!masked || length > MAX_MESSAGE_SIZE) {
+                conn.close(masked ? 1009 : 1002);
+                return false;
+            }
+            if (buffer.length < offset + 4 + length) return true;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffer = buffer.subarray(offset + 4 + length);
+
+            if (opcode === OPCODES.close) {
+                conn.close();
+                return false;
+            }
+            if (opcode === OPCODES.ping) writeFrame(OPCODES.pong, payload);
+            if (opcode === OPCODES.binary) {
+                conn.close(1003); // The protocol is JSON text only
+                return false;
+            }
+            if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+                fragments.push(payload);
+                if (fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_SIZE) {
+                    conn.close(1009);
+                    return false;
+                }
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    if (conn.onmessage) conn.onmessage(text);
+                }
+            }
+        }
+        return true;
+    };
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        readFrames();
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+        conn.open = false;
+        if (conn.onclose) conn.onclose();
+    });
+    return conn;
+}
+
+/* --- ROOMS (ONE PER DOCUMENT) --- */
+// A room's state is a map of registers: key ('doc', 'page:<id>', 'el:<page>:<id>',
+// 'asset:<id>') -> field -> { value, clock }. `value` is [v], or [] for an absent field;
+// `clock` is [counter, clientId] and the highest one wins (same rule as the clients).
+// A room is dropped with its last client: every client keeps the whole document and
+// its clocks, so the next one to join sends the state back (the `want` list).
+
+const rooms = new Map();
+
+function getRoom(id) {
+    if (!rooms.has(id)) rooms.set(id, { registers: new Map(), clients: new Map() });
+    return rooms.get(id);
+}
+
+function compareClocks(a, b) {
+    if (!b) return 1;
+    if (!a) return -1;
+    return a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+}
+
+function isClock(clock) {
+    return Array.isArray(clock) && clock.length === 2 && Number.isFinite(clock[0]) && typeof clock[1] === 'string';
+}
+
+function isOperation(op) {
+    return op && typeof op.key === 'string' && typeof op.field === 'string'
+        && Array.isArray(op.value) && op.value.length <= 1 && isClock(op.clock);
+}
+
+// Stores an operation if it beats the register's clock; true when it did
+function mergeOperation(room, op) {
+    if (!room.registers.has(op.key)) room.registers.set(op.key, new Map());
+    const fields = room.registers.get(op.key);
+    const current = fields.get(op.field);
+    if (current && compareClocks(op.clock, current.clock) <= 0) return false;
+    fields.set(op.field, { value: op.value, clock: op.clock });
+    return true;
+}
+
+function broadcast(room, message, exceptId = null) {
+    const text = JSON.stringify(message);
+    room.clients.forEach((client, id) => {
+        if (id !== exceptId) client.conn.send(text);
+    });
+}
+
+function getPeerInfo(client) {
+    return { id: client.id, name: client.name, color: client.color, ...client.presence };
+}
+
+/* --- MESSAGES --- */
+
+/**
+ * join  { room, client: { id, name, color }, clocks: { key: { field: clock } } }
+ *       -> welcome { ops the client lacks, want: [[key, field]] it has newer, peers }
+ * ops   { ops: [{ key, field, value, clock }] } -> merged, then relayed to the others
+ * presence { pageId, cursor, selection } -> relayed to the others
+ */
+function handleMessage(session, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    if (message.type === 'join' && !session.room) {
+        const client = message.client || {};
+        if (typeof message.room !== 'string' || typeof client.id !== 'string') return;
+        const room = getRoom(message.room);
+        const clocks = message.clocks && typeof message.clocks === 'object' ? message.clocks : {};
+
+        const ops = [];
+        room.registers.forEach((fields, key) => fields.forEach((entry, field) => {
+            const theirs = clocks[key] && clocks[key][field];
+            if (compareClocks(entry.clock, theirs) > 0) ops.push({ key: key, field: field, value: entry.value, clock: entry.clock });
+        }));
+        const want = [];
+        Object.entries(clocks).forEach(([key, fields]) => Object.entries(fields || {}).forEach(([field, clock]) => {
+            const ours = room.registers.has(key) && room.registers.get(key).get(field);
+            if (isClock(clock) && compareClocks(clock, ours && ours.clock) > 0) want.push([key, field]);
+        }));
+
+        session.room = room;
+        session.roomId = message.room;
+        session.client = {
+            id: client.id,
+            name: String(client.name || 'Guest').slice(0, 40),
+            color: String(client.color || '#a855f7').slice(0, 20),
+            presence: {},
+            conn: session.conn
+        };
+        const peers = [...room.clients.values()].map(getPeerInfo);
+        room.clients.set(client.id, session.client);
+        session.conn.send(JSON.stringify({ type: 'welcome', ops: ops, want: want, peers: peers }));
+        broadcast(room, { type: 'peer', peer: getPeerInfo(session.client) }, client.id);
+        log(`${session.client.name} joined ${message.room} (${room.clients.size} online)`);
+        return;
+    }
+
+    // A connection replaced by a newer one from the same client no longer speaks for it
+    const room = session.room;
+    if (!room || room.clients.get(session.client.id) !== session.client) return;
+
+    if (message.type === 'ops' && Array.isArray(message.ops)) {
+        const accepted = message.ops.filter(op => isOperation(op) && mergeOperation(room, op));
+        if (accepted.length) broadcast(room, { type: 'ops', ops: accepted }, session.client.id);
+    } else if (message.type === 'presence') {
+        session.client.presence = {
+            pageId: typeof message.pageId === 'string' ? message.pageId : null,
+            cursor: message.cursor && Number.isFinite(message.cursor.x) && Number.isFinite(message.cursor.y)
+                ? { x: message.cursor.x, y: message.cursor.y }
+                : null,
+            selection: Array.isArray(message.selection) ? message.selection.filter(id => typeof id === 'string') : []
+        };
+        broadcast(room, { type: 'presence', peer: getPeerInfo(session.client) }, session.client.id);
+    }
+}
+
+function handleClose(session) {
+    const room = session.room;
+    if (!room || room.clients.get(session.client.id) !== session.client) return;
+    room.clients.delete(session.client.id);
+    broadcast(room, { type: 'leave', id: session.client.id });
+    log(`${session.client.name} left (${room.clients.size} online)`);
+    if (!room.clients.size) rooms.delete(session.roomId);
+}
+
+function log(text) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${text}`);
+}
+
+/* --- START --- */
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (req, socket) => {
+    const conn = acceptWebSocket(req, socket);
+    if (!conn) return;
+    const session = { conn: conn, room: null, roomId: null, client: null };
+    conn.onmessage = (text) => handleMessage(session, text);
+    conn.onclose = () => handleClose(session);
+});
+
+server.listen(PORT, () => {
+    log(`Pastel Studio on http://localhost:${PORT} (sync: ws://localhost:${PORT}${SYNC_PATH})`);
+});